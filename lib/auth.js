@@ -0,0 +1,322 @@
+'use strict';
+
+const { createHash, randomBytes } = require('crypto');
+const ntlm = require('./ntlm');
+
+/*
+ * Digest algorithms we support, mapped to the corresponding hash in `crypto`.
+ */
+const DIGEST_HASHES = {
+	'md5': 'md5',
+	'md5-sess': 'md5',
+	'sha-256': 'sha256',
+	'sha-256-sess': 'sha256'
+};
+
+const SCHEME_NAMES = {
+	'basic': 'Basic',
+	'digest': 'Digest',
+	'ntlm': 'NTLM'
+};
+
+/*
+ * Number of times a request may be retried with the same credentials because the
+ * proxy reports that the Digest nonce is stale.
+ */
+const MAX_STALE_RETRIES = 2;
+
+/*
+ * Answers `Proxy-Authenticate` challenges using the Digest (RFC 7616), NTLM or
+ * Basic schemes, preferring them in that order if the proxy offers more than one.
+ *
+ * `credentials` is `{ username, password }` (and, for NTLM, optionally `domain` and
+ * `workstation`), or a function which is passed the challenge (`{ scheme, realm,
+ * proxy }`) and returns credentials or a Promise for them. Credentials are only
+ * obtained when the proxy asks for them. After that, requests are authenticated
+ * pre-emptively using the same scheme and (for Digest) the same nonce, with an
+ * incrementing nonce count.
+ *
+ * NTLM authenticates a connection rather than a request, using a handshake which
+ * must take place on a single connection to the proxy.
+ */
+function ProxyAuthenticator(credentials) {
+	this.credentials = credentials;
+	this.scheme = null;
+	this.params = null;
+	this.resolvedCredentials = null;
+	this.nonceCount = 0;
+}
+
+/*
+ * Returns the `Proxy-Authorization` header value for a request, or undefined if no
+ * challenge has been answered yet. `context` is an object (initially empty) which
+ * tracks the attempts made for a single connection.
+ */
+ProxyAuthenticator.prototype.authorization = function authorization(method, uri, context) {
+	if (this.scheme === 'basic') {
+		return basicAuthorization(this.resolvedCredentials);
+	}
+
+	if (this.scheme === 'digest') {
+		this.nonceCount++;
+
+		return digestAuthorization(this.params, this.resolvedCredentials, method, uri,
+				this.nonceCount);
+	}
+
+	if (this.scheme === 'ntlm') {
+		if (context.ntlm === 'authenticate') return context.ntlmAuthorization;
+
+		context.ntlm = 'negotiate';
+		context.requiresSameConnection = false;
+
+		return 'NTLM ' + ntlm.createNegotiateMessage();
+	}
+
+	return undefined;
+};
+
+/*
+ * Handles a 407 response to a request made with authorization from
+ * `authorization()` using the same `context`. The callback is passed true if the
+ * request should be retried, or false if the challenge can't be answered (including
+ * if the proxy rejected credentials which were obtained in response to an earlier
+ * challenge). If `context.requiresSameConnection` is then true, the retry must be
+ * made using the same connection to the proxy.
+ */
+ProxyAuthenticator.prototype.challenge = function challenge(res, proxy, context, callback) {
+	if (!this.credentials) return callback(null, false);
+
+	const challenges = parseChallenges(headerValues(res, 'proxy-authenticate'));
+
+	const selected = challenges.find(isSupportedDigest)
+			|| challenges.find((challenge) => challenge.scheme === 'ntlm')
+			|| challenges.find((challenge) => challenge.scheme === 'basic');
+
+	if (!selected) return callback(null, false);
+
+	if (selected.scheme === 'digest' && this.scheme === 'digest'
+			&& /^true$/i.test(selected.params.stale)
+			&& (context.staleRetries || 0) < MAX_STALE_RETRIES) {
+		context.staleRetries = (context.staleRetries || 0) + 1;
+
+		this._accept(selected, this.resolvedCredentials);
+
+		return callback(null, true);
+	}
+
+	if (selected.scheme === 'ntlm' && selected.token) {
+		return this._answerNtlmChallenge(selected, context, callback);
+	}
+
+	if (context.freshCredentials) return callback(null, false);
+
+	context.freshCredentials = true;
+	context.ntlm = undefined;
+
+	this._resolveCredentials(selected, proxy, (err, credentials) => {
+		if (err) return callback(err);
+
+		if (!credentials) return callback(null, false);
+
+		this._accept(selected, credentials);
+
+		callback(null, true);
+	});
+};
+
+ProxyAuthenticator.prototype._answerNtlmChallenge = function _answerNtlmChallenge(
+		challenge, context, callback) {
+	if (this.scheme !== 'ntlm' || context.ntlm !== 'negotiate') return callback(null, false);
+
+	let authenticateMessage;
+	try {
+		authenticateMessage = ntlm.createAuthenticateMessage(
+				ntlm.parseChallengeMessage(challenge.token), this.resolvedCredentials);
+	} catch (err) {
+		return callback(err);
+	}
+
+	context.ntlm = 'authenticate';
+	context.ntlmAuthorization = 'NTLM ' + authenticateMessage;
+	context.requiresSameConnection = true;
+
+	callback(null, true);
+};
+
+ProxyAuthenticator.prototype._resolveCredentials = function _resolveCredentials(
+		challenge, proxy, callback) {
+	if (typeof this.credentials !== 'function') {
+		return callback(null, this.credentials);
+	}
+
+	let result;
+	try {
+		result = this.credentials({
+			scheme: SCHEME_NAMES[challenge.scheme],
+			realm: challenge.params.realm,
+			proxy
+		});
+	} catch (err) {
+		return callback(err);
+	}
+
+	Promise.resolve(result).then((credentials) => callback(null, credentials), callback);
+};
+
+ProxyAuthenticator.prototype._accept = function _accept(challenge, credentials) {
+	this.scheme = challenge.scheme;
+	this.params = challenge.params;
+	this.resolvedCredentials = credentials;
+	this.nonceCount = 0;
+};
+
+function isSupportedDigest(challenge) {
+	if (challenge.scheme !== 'digest' || !challenge.params.nonce) return false;
+
+	const algorithm = (challenge.params.algorithm || 'MD5').toLowerCase();
+	if (!DIGEST_HASHES[algorithm]) return false;
+
+	return !challenge.params.qop || qopOptions(challenge.params).includes('auth');
+}
+
+function qopOptions(params) {
+	return String(params.qop).split(',').map((qop) => qop.trim().toLowerCase());
+}
+
+function basicAuthorization(credentials) {
+	const userPass = credentials.username + ':' + credentials.password;
+
+	return 'Basic ' + Buffer.from(userPass).toString('base64');
+}
+
+function digestAuthorization(params, credentials, method, uri, nonceCount) {
+	const algorithm = (params.algorithm || 'MD5').toLowerCase();
+	const hash = (value) => createHash(DIGEST_HASHES[algorithm]).update(value).digest('hex');
+
+	const nc = ('0000000' + nonceCount.toString(16)).slice(-8);
+	const cnonce = randomBytes(16).toString('hex');
+
+	let ha1 = hash(credentials.username + ':' + params.realm + ':' + credentials.password);
+	if (algorithm.endsWith('-sess')) {
+		ha1 = hash(ha1 + ':' + params.nonce + ':' + cnonce);
+	}
+
+	const ha2 = hash(method + ':' + uri);
+
+	const fields = [
+		['username', quote(credentials.username)],
+		['realm', quote(params.realm)],
+		['nonce', quote(params.nonce)],
+		['uri', quote(uri)]
+	];
+
+	if (params.qop) {
+		const response = hash([ha1, params.nonce, nc, cnonce, 'auth', ha2].join(':'));
+
+		fields.push(['response', quote(response)], ['qop', 'auth'], ['nc', nc],
+				['cnonce', quote(cnonce)]);
+	} else {
+		fields.push(['response', quote(hash([ha1, params.nonce, ha2].join(':')))]);
+	}
+
+	if (params.algorithm) fields.push(['algorithm', params.algorithm]);
+	if (typeof params.opaque !== 'undefined') fields.push(['opaque', quote(params.opaque)]);
+
+	return 'Digest ' + fields.map((field) => field.join('=')).join(', ');
+}
+
+function quote(value) {
+	return '"' + String(value).replace(/["\\]/g, '\\$&') + '"';
+}
+
+/*
+ * Get all values of a header from a response, without Node's joining of repeated
+ * headers.
+ */
+function headerValues(res, name) {
+	const values = [];
+
+	for (let i = 0; i < res.rawHeaders.length; i += 2) {
+		if (res.rawHeaders[i].toLowerCase() === name) values.push(res.rawHeaders[i + 1]);
+	}
+
+	return values;
+}
+
+/*
+ * Parse `WWW-Authenticate`/`Proxy-Authenticate` header values (RFC 7235) into
+ * challenges of the form `{ scheme, token, params }`. The scheme and parameter
+ * names are lower-cased; `token` is the token68 used by schemes such as NTLM.
+ */
+function parseChallenges(values) {
+	const challenges = [];
+	let challenge = null;
+
+	values.forEach((value) => {
+		splitList(value).forEach((item) => {
+			const schemeMatch = /^([^\s=]+)(?:\s+([^=\s].*))?$/.exec(item);
+
+			if (schemeMatch) {
+				challenge = { scheme: schemeMatch[1].toLowerCase(), token: undefined, params: {} };
+				challenges.push(challenge);
+
+				item = schemeMatch[2];
+
+				if (!item) return;
+
+				if (/^[\w.~+/-]+=*$/.test(item)) {
+					challenge.token = item;
+					return;
+				}
+			}
+
+			const paramMatch = /^([^\s=]+)\s*=\s*(.*)$/.exec(item);
+
+			if (challenge && paramMatch) {
+				challenge.params[paramMatch[1].toLowerCase()] = unquote(paramMatch[2]);
+			}
+		});
+	});
+
+	return challenges;
+}
+
+/*
+ * Split a header value on commas which are not within quoted strings.
+ */
+function splitList(value) {
+	const items = [];
+	let item = '';
+	let quoted = false;
+
+	for (let i = 0; i < value.length; i++) {
+		const c = value[i];
+
+		if (c === ',' && !quoted) {
+			items.push(item);
+			item = '';
+			continue;
+		}
+
+		if (c === '"') quoted = !quoted;
+
+		if (c === '\\' && quoted) item += value[i++];
+
+		item += value[i];
+	}
+
+	items.push(item);
+
+	return items.map((item) => item.trim()).filter((item) => item);
+}
+
+function unquote(value) {
+	const match = /^"((?:[^"\\]|\\.)*)"$/.exec(value);
+
+	return match ? match[1].replace(/\\(.)/g, '$1') : value;
+}
+
+module.exports.ProxyAuthenticator = ProxyAuthenticator;
+module.exports.parseChallenges = parseChallenges;
+module.exports.headerValues = headerValues;
@@ -0,0 +1,87 @@
+'use strict';
+
+const { inherits } = require('util');
+
+/*
+ * Errors connecting to a target through a proxy. `proxy` and `target` are the
+ * `{ host, port }` of each, and `cause` is the underlying error, if any.
+ *
+ * The subclasses distinguish the phase which failed:
+ *
+ * - ProxyDnsError (`EPROXYDNS`): looking up the proxy's host name;
+ * - ProxyTlsError (`EPROXYTLS`): the TLS handshake with an HTTPS proxy;
+ * - ProxyTunnelError (`EPROXYCONNECT`): the proxy responded to CONNECT with a status
+ *   other than 200. It has the `statusCode`, `statusMessage`, `headers` and `body`
+ *   (up to `MAX_BODY_LENGTH` bytes) of the response;
+ * - ProxySocksError (`EPROXYSOCKS`): a SOCKS5 proxy refused the connection (with
+ *   the `reply` code), or our credentials;
+ * - TargetTlsError (`ETARGETTLS`): the TLS handshake with the target, through the
+ *   tunnel.
+ */
+function ProxyConnectError(message, properties) {
+	Error.call(this);
+	Error.captureStackTrace(this, this.constructor);
+
+	this.message = message;
+	this.code = 'EPROXYCONNECT';
+	this.proxy = undefined;
+	this.target = undefined;
+
+	Object.assign(this, properties);
+}
+inherits(ProxyConnectError, Error);
+ProxyConnectError.prototype.name = 'ProxyConnectError';
+
+/*
+ * The length at which the body of an error response from the proxy is truncated.
+ */
+ProxyConnectError.MAX_BODY_LENGTH = 4096;
+
+function ProxyDnsError(cause, properties) {
+	ProxyConnectError.call(this, 'Failed to look up the proxy: ' + cause.message,
+			Object.assign({ code: 'EPROXYDNS', cause }, properties));
+}
+inherits(ProxyDnsError, ProxyConnectError);
+ProxyDnsError.prototype.name = 'ProxyDnsError';
+
+function ProxyTlsError(cause, properties) {
+	ProxyConnectError.call(this, 'TLS connection to the proxy failed: ' + cause.message,
+			Object.assign({ code: 'EPROXYTLS', cause }, properties));
+}
+inherits(ProxyTlsError, ProxyConnectError);
+ProxyTlsError.prototype.name = 'ProxyTlsError';
+
+/*
+ * `res` is the response to CONNECT, and `body` is a Buffer with (the start of) its
+ * body.
+ */
+function ProxyTunnelError(res, body, properties) {
+	ProxyConnectError.call(this, res.statusMessage, Object.assign({
+		statusCode: res.statusCode,
+		statusMessage: res.statusMessage,
+		headers: res.headers,
+		body: body.slice(0, ProxyConnectError.MAX_BODY_LENGTH).toString('utf8')
+	}, properties));
+}
+inherits(ProxyTunnelError, ProxyConnectError);
+ProxyTunnelError.prototype.name = 'ProxyTunnelError';
+
+function ProxySocksError(message, properties) {
+	ProxyConnectError.call(this, message, Object.assign({ code: 'EPROXYSOCKS' }, properties));
+}
+inherits(ProxySocksError, ProxyConnectError);
+ProxySocksError.prototype.name = 'ProxySocksError';
+
+function TargetTlsError(cause, properties) {
+	ProxyConnectError.call(this, 'TLS connection to the target failed: ' + cause.message,
+			Object.assign({ code: 'ETARGETTLS', cause }, properties));
+}
+inherits(TargetTlsError, ProxyConnectError);
+TargetTlsError.prototype.name = 'TargetTlsError';
+
+module.exports.ProxyConnectError = ProxyConnectError;
+module.exports.ProxyDnsError = ProxyDnsError;
+module.exports.ProxyTlsError = ProxyTlsError;
+module.exports.ProxyTunnelError = ProxyTunnelError;
+module.exports.ProxySocksError = ProxySocksError;
+module.exports.TargetTlsError = TargetTlsError;
@@ -0,0 +1,36 @@
+'use strict';
+
+const { isIPv4, isIPv6 } = require('net');
+
+/*
+ * Convert an IPv4 or IPv6 address to an array of bytes, or return null if the
+ * string is not an IP address.
+ */
+function ipToBytes(address) {
+	if (isIPv4(address)) return address.split('.').map(Number);
+
+	if (!isIPv6(address)) return null;
+
+	/*
+	 * Convert any trailing IPv4 address to two groups of hex digits.
+	 */
+	address = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) => {
+		return ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+	});
+
+	const [head, tail] = address.split('::');
+	const headGroups = head ? head.split(':') : [];
+	const tailGroups = tail ? tail.split(':') : [];
+	const groups = headGroups
+			.concat(new Array(8 - headGroups.length - tailGroups.length).fill('0'))
+			.concat(tailGroups);
+
+	const bytes = [];
+	groups.forEach((group) => {
+		const value = parseInt(group, 16);
+		bytes.push(value >> 8, value & 0xff);
+	});
+	return bytes;
+}
+
+module.exports.ipToBytes = ipToBytes;
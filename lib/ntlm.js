@@ -0,0 +1,280 @@
+'use strict';
+
+const { createHmac, randomBytes } = require('crypto');
+
+/*
+ * NTLM messages (MS-NLMP) for proxy authentication, using NTLMv2 responses.
+ */
+
+const SIGNATURE = Buffer.from('NTLMSSP\0', 'latin1');
+
+const NEGOTIATE_UNICODE = 0x00000001;
+const NEGOTIATE_OEM = 0x00000002;
+const REQUEST_TARGET = 0x00000004;
+const NEGOTIATE_NTLM = 0x00000200;
+const NEGOTIATE_ALWAYS_SIGN = 0x00008000;
+const NEGOTIATE_EXTENDED_SESSIONSECURITY = 0x00080000;
+const NEGOTIATE_TARGET_INFO = 0x00800000;
+const NEGOTIATE_128 = 0x20000000;
+const NEGOTIATE_56 = 0x80000000;
+
+const NEGOTIATE_FLAGS = (NEGOTIATE_UNICODE | NEGOTIATE_OEM | REQUEST_TARGET | NEGOTIATE_NTLM
+		| NEGOTIATE_ALWAYS_SIGN | NEGOTIATE_EXTENDED_SESSIONSECURITY | NEGOTIATE_128
+		| NEGOTIATE_56) >>> 0;
+
+const AV_EOL = 0;
+const AV_TIMESTAMP = 7;
+
+/*
+ * Milliseconds between the Windows FILETIME epoch (1601) and the Unix epoch.
+ */
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+/*
+ * Create a Type 1 (negotiate) message, base64-encoded.
+ */
+function createNegotiateMessage() {
+	const message = Buffer.alloc(32);
+
+	SIGNATURE.copy(message, 0);
+	message.writeUInt32LE(1, 8);
+	message.writeUInt32LE(NEGOTIATE_FLAGS, 12);
+
+	/*
+	 * The domain and workstation security buffers (at 16 and 24) are left empty.
+	 */
+
+	return message.toString('base64');
+}
+
+/*
+ * Parse a base64-encoded Type 2 (challenge) message.
+ */
+function parseChallengeMessage(token) {
+	const message = Buffer.from(token, 'base64');
+
+	if (message.length < 32 || !message.slice(0, 8).equals(SIGNATURE)
+			|| message.readUInt32LE(8) !== 2) {
+		throw new Error('Invalid NTLM challenge message');
+	}
+
+	const flags = message.readUInt32LE(20);
+
+	return {
+		flags,
+		serverChallenge: message.slice(24, 32),
+		targetInfo: (flags & NEGOTIATE_TARGET_INFO) && message.length >= 48
+				? readSecurityBuffer(message, 40)
+				: Buffer.alloc(0)
+	};
+}
+
+/*
+ * Create a base64-encoded Type 3 (authenticate) message in response to a parsed
+ * challenge message. `credentials` has `username`, `password` and optionally
+ * `domain` and `workstation`; the domain may instead be given in the username, as
+ * in `DOMAIN\user`.
+ */
+function createAuthenticateMessage(challenge, credentials) {
+	let username = String(credentials.username);
+	let domain = credentials.domain || '';
+
+	const separator = username.indexOf('\\');
+	if (!domain && separator !== -1) {
+		domain = username.slice(0, separator);
+		username = username.slice(separator + 1);
+	}
+
+	const timestamp = findAvPair(challenge.targetInfo, AV_TIMESTAMP);
+	const clientChallenge = randomBytes(8);
+	const responseKey = ntowfv2(credentials.password, username, domain);
+
+	const ntResponse = ntlmv2Response(responseKey, challenge.serverChallenge, clientChallenge,
+			timestamp || filetime(Date.now()), challenge.targetInfo);
+
+	/*
+	 * When the server provides a timestamp, the LMv2 response must be zeroes.
+	 */
+	const lmResponse = timestamp
+			? Buffer.alloc(24)
+			: lmv2Response(responseKey, challenge.serverChallenge, clientChallenge);
+
+	const encoding = challenge.flags & NEGOTIATE_UNICODE ? 'utf16le' : 'latin1';
+	const fields = [
+		lmResponse,
+		ntResponse,
+		Buffer.from(domain, encoding),
+		Buffer.from(username, encoding),
+		Buffer.from(credentials.workstation || '', encoding),
+		Buffer.alloc(0)
+	];
+
+	const header = Buffer.alloc(64);
+	SIGNATURE.copy(header, 0);
+	header.writeUInt32LE(3, 8);
+
+	let offset = header.length;
+	fields.forEach((field, index) => {
+		writeSecurityBuffer(header, 12 + index * 8, field.length, offset);
+		offset += field.length;
+	});
+
+	header.writeUInt32LE((challenge.flags & NEGOTIATE_FLAGS) >>> 0, 60);
+
+	return Buffer.concat([header].concat(fields)).toString('base64');
+}
+
+/*
+ * NTOWFv2: HMAC-MD5 of the upper-cased user name and domain, keyed by the NT hash
+ * of the password.
+ */
+function ntowfv2(password, username, domain) {
+	const ntHash = md4(Buffer.from(String(password), 'utf16le'));
+
+	return hmacMd5(ntHash, Buffer.from(username.toUpperCase() + domain, 'utf16le'));
+}
+
+/*
+ * The NTLMv2 response: NTProofStr followed by the client's blob.
+ */
+function ntlmv2Response(responseKey, serverChallenge, clientChallenge, timestamp, targetInfo) {
+	const blob = Buffer.concat([
+		Buffer.from([1, 1, 0, 0, 0, 0, 0, 0]),
+		timestamp,
+		clientChallenge,
+		Buffer.alloc(4),
+		targetInfo,
+		Buffer.alloc(4)
+	]);
+
+	const proof = hmacMd5(responseKey, Buffer.concat([serverChallenge, blob]));
+
+	return Buffer.concat([proof, blob]);
+}
+
+function lmv2Response(responseKey, serverChallenge, clientChallenge) {
+	return Buffer.concat([
+		hmacMd5(responseKey, Buffer.concat([serverChallenge, clientChallenge])),
+		clientChallenge
+	]);
+}
+
+function hmacMd5(key, data) {
+	return createHmac('md5', key).update(data).digest();
+}
+
+/*
+ * Convert milliseconds since the Unix epoch to a little-endian FILETIME (100ns
+ * intervals since 1601).
+ */
+function filetime(milliseconds) {
+	const intervals = (milliseconds + FILETIME_EPOCH_OFFSET) * 10000;
+	const buffer = Buffer.alloc(8);
+
+	buffer.writeUInt32LE(intervals % 0x100000000, 0);
+	buffer.writeUInt32LE(Math.floor(intervals / 0x100000000), 4);
+
+	return buffer;
+}
+
+function findAvPair(targetInfo, id) {
+	for (let offset = 0; offset + 4 <= targetInfo.length;) {
+		const avId = targetInfo.readUInt16LE(offset);
+		const length = targetInfo.readUInt16LE(offset + 2);
+
+		if (avId === AV_EOL) break;
+		if (avId === id) return targetInfo.slice(offset + 4, offset + 4 + length);
+
+		offset += 4 + length;
+	}
+
+	return null;
+}
+
+function readSecurityBuffer(message, position) {
+	const length = message.readUInt16LE(position);
+	const offset = message.readUInt32LE(position + 4);
+
+	if (offset + length > message.length) {
+		throw new Error('Invalid NTLM challenge message');
+	}
+
+	return message.slice(offset, offset + length);
+}
+
+function writeSecurityBuffer(message, position, length, offset) {
+	message.writeUInt16LE(length, position);
+	message.writeUInt16LE(length, position + 2);
+	message.writeUInt32LE(offset, position + 4);
+}
+
+/*
+ * MD4 (RFC 1320), which is needed for the NT hash but is no longer available from
+ * `crypto` with OpenSSL 3.
+ */
+function md4(data) {
+	const blocks = Math.ceil((data.length + 9) / 64);
+	const padded = Buffer.alloc(blocks * 64);
+
+	data.copy(padded);
+	padded[data.length] = 0x80;
+	padded.writeUInt32LE((data.length * 8) >>> 0, padded.length - 8);
+	padded.writeUInt32LE(Math.floor(data.length / 0x20000000), padded.length - 4);
+
+	const rounds = [
+		{
+			f: (x, y, z) => (x & y) | (~x & z),
+			constant: 0,
+			order: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+			shifts: [3, 7, 11, 19]
+		},
+		{
+			f: (x, y, z) => (x & y) | (x & z) | (y & z),
+			constant: 0x5a827999,
+			order: [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+			shifts: [3, 5, 9, 13]
+		},
+		{
+			f: (x, y, z) => x ^ y ^ z,
+			constant: 0x6ed9eba1,
+			order: [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15],
+			shifts: [3, 9, 11, 15]
+		}
+	];
+
+	const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+	const words = new Array(16);
+
+	for (let block = 0; block < padded.length; block += 64) {
+		for (let i = 0; i < 16; i++) words[i] = padded.readUInt32LE(block + i * 4);
+
+		const h = state.slice();
+
+		rounds.forEach((round) => {
+			for (let i = 0; i < 16; i++) {
+				/*
+				 * Each step updates a, d, c and b in turn, using the other three.
+				 */
+				const t = (4 - i % 4) % 4;
+				const value = (h[t] + round.f(h[(t + 1) % 4], h[(t + 2) % 4], h[(t + 3) % 4])
+						+ words[round.order[i]] + round.constant) | 0;
+				const shift = round.shifts[i % 4];
+
+				h[t] = (value << shift) | (value >>> (32 - shift));
+			}
+		});
+
+		for (let i = 0; i < 4; i++) state[i] = (state[i] + h[i]) | 0;
+	}
+
+	const digest = Buffer.alloc(16);
+	state.forEach((word, i) => digest.writeInt32LE(word, i * 4));
+	return digest;
+}
+
+module.exports.createNegotiateMessage = createNegotiateMessage;
+module.exports.parseChallengeMessage = parseChallengeMessage;
+module.exports.createAuthenticateMessage = createAuthenticateMessage;
+module.exports.ntowfv2 = ntowfv2;
+module.exports.ntlmv2Response = ntlmv2Response;
+module.exports.md4 = md4;
@@ -0,0 +1,443 @@
+'use strict';
+
+const vm = require('vm');
+const dns = require('dns');
+const os = require('os');
+const { isIPv4 } = require('net');
+const { debuglog } = require('util');
+const debug = debuglog('betterHttpsProxyAgent');
+
+/*
+ * Milliseconds a PAC script may run for, each time it is evaluated.
+ */
+const SCRIPT_TIMEOUT = 1000;
+
+/*
+ * Number of times `FindProxyForURL` is re-run after resolving host names which it
+ * asked for.
+ */
+const MAX_DNS_ROUNDS = 3;
+
+/*
+ * How long results, and the addresses of host names, are cached for (in
+ * milliseconds), and how many are kept. Results may depend on the time and on DNS.
+ */
+const CACHE_TTL = 60000;
+const CACHE_SIZE = 1000;
+
+const DEFAULT_PORTS = {
+	'http:': 80,
+	'https:': 443,
+	'socks:': 1080,
+	'socks4:': 1080,
+	'socks5:': 1080
+};
+
+const PROTOCOLS = {
+	'PROXY': 'http:',
+	'HTTP': 'http:',
+	'HTTPS': 'https:',
+	'SOCKS': 'socks:',
+	'SOCKS4': 'socks4:',
+	'SOCKS5': 'socks5:'
+};
+
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/*
+ * Runs `FindProxyForURL` from a proxy auto-config script, in a separate `vm` context
+ * providing the standard helper functions. Results are cached for each target.
+ *
+ * The context has a global object without a prototype, and the helper functions
+ * are defined in it, so that the script can't reach objects from our context (such
+ * as `Function`, through the constructor of an object, which would let it run code
+ * with our privileges). The helpers which need our context only pass primitives to
+ * it and back. `vm` isn't a security mechanism, though: a script can still use CPU
+ * (up to the timeout) and memory, so it should come from a trusted source.
+ *
+ * PAC scripts expect DNS lookups (in `dnsResolve`, `isResolvable` and `isInNet`) to
+ * be synchronous. We run the script, and if it asks for a host name which hasn't
+ * been looked up, resolve it asynchronously and run the script again.
+ *
+ * `options.lookup` may replace `dns.lookup`. `options.cacheTtl` and
+ * `options.cacheSize` may replace the limits on caching.
+ */
+function PacResolver(script, options) {
+	options = options || {};
+
+	this.lookup = options.lookup || dns.lookup;
+	this.cacheTtl = options.cacheTtl || CACHE_TTL;
+	this.cacheSize = options.cacheSize || CACHE_SIZE;
+	this.cache = new Map();
+	this.addresses = new Map();
+	this.unresolved = new Set();
+	this.context = vm.createContext(Object.create(null));
+
+	vm.runInContext(helpersScript(), this.context, { filename: 'pac-helpers.js' })(
+		vm.runInContext('this', this.context),
+		(host) => this._resolve(host),
+		myIpAddress,
+		isIPv4,
+		(message) => debug('PAC alert: %s', message)
+	);
+
+	vm.runInContext(String(script), this.context, {
+		filename: 'proxy.pac',
+		timeout: SCRIPT_TIMEOUT
+	});
+
+	if (typeof this.context.FindProxyForURL !== 'function') {
+		throw new Error('PAC script does not define FindProxyForURL');
+	}
+}
+
+/*
+ * Find the proxies for a target. The callback is passed the parsed result of
+ * `FindProxyForURL`: an array of `{ direct: true }` or `{ protocol, host, port }`.
+ */
+PacResolver.prototype.findProxy = function findProxy(host, port, callback) {
+	const key = host + ':' + port;
+	const cached = this._cached(this.cache, key);
+
+	if (cached) return callback(null, cached.value);
+
+	const url = 'https://' + (host.includes(':') ? '[' + host + ']' : host)
+			+ (Number(port) === 443 ? '' : ':' + port) + '/';
+
+	this._evaluate(url, host, 0, (err, result) => {
+		if (err) return callback(err);
+
+		let proxies;
+		try {
+			proxies = parsePacResult(result);
+		} catch (err) {
+			return callback(err);
+		}
+
+		debug('PAC result for %s: %s', key, result);
+
+		this._cache(this.cache, key, proxies);
+
+		callback(null, proxies);
+	});
+};
+
+PacResolver.prototype._evaluate = function _evaluate(url, host, round, callback) {
+	this.unresolved.clear();
+
+	let result;
+	try {
+		result = vm.runInContext('FindProxyForURL(' + JSON.stringify(url) + ', '
+				+ JSON.stringify(host) + ')', this.context, { timeout: SCRIPT_TIMEOUT });
+	} catch (err) {
+		return callback(err);
+	}
+
+	const unresolved = Array.from(this.unresolved);
+
+	if (!unresolved.length || round === MAX_DNS_ROUNDS) return callback(null, result);
+
+	let pending = unresolved.length;
+
+	unresolved.forEach((name) => {
+		this.lookup(name, { family: 4 }, (err, address) => {
+			this._cache(this.addresses, name, err ? null : String(address));
+
+			if (--pending === 0) this._evaluate(url, host, round + 1, callback);
+		});
+	});
+};
+
+/*
+ * Returns the IPv4 address for a host name if it has been looked up, or null.
+ */
+PacResolver.prototype._resolve = function _resolve(name) {
+	name = String(name);
+
+	if (isIPv4(name)) return name;
+
+	const cached = this._cached(this.addresses, name);
+
+	if (cached) return cached.value;
+
+	this.unresolved.add(name);
+
+	return null;
+};
+
+/*
+ * Get an entry from one of the caches, unless it has expired.
+ */
+PacResolver.prototype._cached = function _cached(cache, key) {
+	const entry = cache.get(key);
+
+	if (!entry) return null;
+
+	if (entry.expires <= Date.now()) {
+		cache.delete(key);
+		return null;
+	}
+
+	return entry;
+};
+
+/*
+ * Add an entry to one of the caches, removing the oldest if it is full.
+ */
+PacResolver.prototype._cache = function _cache(cache, key, value) {
+	cache.delete(key);
+
+	if (cache.size >= this.cacheSize) cache.delete(cache.keys().next().value);
+
+	cache.set(key, { value, expires: Date.now() + this.cacheTtl });
+};
+
+function parsePacResult(result) {
+	if (!result) return [{ direct: true }];
+
+	return String(result).split(';')
+			.map((entry) => entry.trim())
+			.filter((entry) => entry)
+			.map((entry) => {
+				const [type, address] = entry.split(/\s+/);
+
+				if (type.toUpperCase() === 'DIRECT') return { direct: true };
+
+				const protocol = PROTOCOLS[type.toUpperCase()];
+				const match = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/.exec(address || '');
+
+				if (!protocol || !match) {
+					throw new Error('Invalid PAC result: ' + JSON.stringify(String(result)));
+				}
+
+				return {
+					protocol,
+					host: match[1] || match[2],
+					port: match[3] ? Number(match[3]) : DEFAULT_PORTS[protocol]
+				};
+			});
+}
+
+/*
+ * Define the helper functions in the PAC script's context, given its global object
+ * (as `globalThis` isn't available before Node.js 12) and functions from our
+ * context to look up a host name, get our IP address, check for an IPv4 address
+ * and log an alert. This and the functions it uses are evaluated in that context,
+ * so they mustn't refer to anything else in this module.
+ */
+function installHelpers(sandbox, resolveHost, localAddress, isAddress, log) {
+	/*
+	 * Only primitives are passed to our functions, and errors from them aren't passed
+	 * on, so the script can't get hold of objects from our context.
+	 */
+	const resolve = (host) => {
+		try {
+			const address = resolveHost(String(host));
+			return address === null ? null : String(address);
+		} catch (err) {
+			return null;
+		}
+	};
+
+	Object.assign(sandbox, {
+		isPlainHostName: (host) => !String(host).includes('.'),
+
+		dnsDomainIs: (host, domain) => String(host).endsWith(domain),
+
+		localHostOrDomainIs: (host, hostdom) => {
+			return host === hostdom
+					|| (!String(host).includes('.') && String(hostdom).startsWith(host + '.'));
+		},
+
+		isResolvable: (host) => !!resolve(host),
+
+		isInNet: (host, pattern, mask) => {
+			const address = resolve(host);
+
+			if (!address || !isAddress(String(pattern)) || !isAddress(String(mask))) return false;
+
+			return (convertAddress(address) & convertAddress(mask))
+					=== (convertAddress(pattern) & convertAddress(mask));
+		},
+
+		dnsResolve: resolve,
+
+		convert_addr: convertAddress,
+
+		myIpAddress: () => {
+			try {
+				return String(localAddress());
+			} catch (err) {
+				return '127.0.0.1';
+			}
+		},
+
+		dnsDomainLevels: (host) => String(host).split('.').length - 1,
+
+		shExpMatch: (str, shexp) => shellExpression(shexp).test(str),
+
+		weekdayRange,
+
+		dateRange,
+
+		timeRange,
+
+		alert: (message) => log(String(message))
+	});
+}
+
+/*
+ * The script which defines the helpers in the PAC script's context, evaluating to
+ * `installHelpers`.
+ */
+function helpersScript() {
+	return [
+		'(function () {',
+		'\'use strict\';',
+		'const DAYS = ' + JSON.stringify(DAYS) + ';',
+		'const MONTHS = ' + JSON.stringify(MONTHS) + ';'
+	].concat([
+		installHelpers, convertAddress, shellExpression, dateArguments, inRange,
+		weekdayRange, dateRange, timeRange
+	].map(String), [
+		'return installHelpers;',
+		'})()'
+	]).join('\n');
+}
+
+function convertAddress(address) {
+	return String(address).split('.')
+			.reduce((value, octet) => ((value << 8) | Number(octet)) >>> 0, 0) | 0;
+}
+
+function myIpAddress() {
+	const interfaces = os.networkInterfaces();
+
+	for (const name of Object.keys(interfaces)) {
+		const found = interfaces[name].find((address) => {
+			return (address.family === 'IPv4' || address.family === 4) && !address.internal;
+		});
+
+		if (found) return found.address;
+	}
+
+	return '127.0.0.1';
+}
+
+function shellExpression(shexp) {
+	const pattern = String(shexp).split('').map((c) => {
+		if (c === '*') return '.*';
+		if (c === '?') return '.';
+		return c.replace(/[\\^$.+()|[\]{}]/g, '\\$&');
+	}).join('');
+
+	return new RegExp('^' + pattern + '$');
+}
+
+/*
+ * Split the arguments of the date and time functions into values and whether the
+ * trailing "GMT" argument was given, and get the current date accordingly.
+ */
+function dateArguments(args) {
+	args = Array.prototype.slice.call(args);
+
+	const gmt = args[args.length - 1] === 'GMT';
+	if (gmt) args.pop();
+
+	const now = new Date();
+
+	return {
+		args,
+		now: gmt ? {
+			day: now.getUTCDay(), date: now.getUTCDate(), month: now.getUTCMonth(),
+			year: now.getUTCFullYear(), hours: now.getUTCHours(),
+			minutes: now.getUTCMinutes(), seconds: now.getUTCSeconds()
+		} : {
+			day: now.getDay(), date: now.getDate(), month: now.getMonth(),
+			year: now.getFullYear(), hours: now.getHours(),
+			minutes: now.getMinutes(), seconds: now.getSeconds()
+		}
+	};
+}
+
+/*
+ * Whether `value` is in the inclusive range from `start` to `end`, which wraps
+ * around if `end` is before `start`.
+ */
+function inRange(value, start, end) {
+	return start <= end ? value >= start && value <= end : value >= start || value <= end;
+}
+
+function weekdayRange() {
+	const { args, now } = dateArguments(arguments);
+	const start = DAYS.indexOf(String(args[0]).toUpperCase());
+	const end = args.length > 1 ? DAYS.indexOf(String(args[1]).toUpperCase()) : start;
+
+	return start !== -1 && end !== -1 && inRange(now.day, start, end);
+}
+
+/*
+ * dateRange(day), dateRange(day1, day2), dateRange(month), dateRange(month1, month2),
+ * dateRange(year), dateRange(year1, year2), dateRange(day1, month1, day2, month2),
+ * dateRange(month1, year1, month2, year2) or
+ * dateRange(day1, month1, year1, day2, month2, year2), optionally followed by "GMT".
+ */
+function dateRange() {
+	const { args, now } = dateArguments(arguments);
+
+	const half = Math.max(1, Math.floor(args.length / 2));
+	const startArgs = args.slice(0, half);
+	const endArgs = args.length > 1 ? args.slice(half) : startArgs;
+
+	/*
+	 * Combine the components which were given (and the same components of the
+	 * current date) into comparable numbers.
+	 */
+	const value = (point) => {
+		let result = 0;
+
+		point.forEach((arg) => {
+			const month = MONTHS.indexOf(String(arg).toUpperCase());
+
+			if (month !== -1) result += (month + 1) * 100;
+			else if (Number(arg) > 31) result += Number(arg) * 10000;
+			else result += Number(arg);
+		});
+
+		return result;
+	};
+
+	const current = (point) => {
+		let result = 0;
+
+		point.forEach((arg) => {
+			if (MONTHS.includes(String(arg).toUpperCase())) result += (now.month + 1) * 100;
+			else if (Number(arg) > 31) result += now.year * 10000;
+			else result += now.date;
+		});
+
+		return result;
+	};
+
+	return inRange(current(startArgs), value(startArgs), value(endArgs));
+}
+
+/*
+ * timeRange(hour), timeRange(hour1, hour2), timeRange(hour1, min1, hour2, min2) or
+ * timeRange(hour1, min1, sec1, hour2, min2, sec2), optionally followed by "GMT".
+ */
+function timeRange() {
+	const { args, now } = dateArguments(arguments);
+	const values = args.map(Number);
+
+	if (values.length === 1) return now.hours === values[0];
+
+	const half = values.length / 2;
+	const seconds = (point) => (point[0] || 0) * 3600 + (point[1] || 0) * 60 + (point[2] || 0);
+
+	return inRange(seconds([now.hours, now.minutes, now.seconds].slice(0, half)),
+			seconds(values.slice(0, half)), seconds(values.slice(half)));
+}
+
+module.exports.PacResolver = PacResolver;
@@ -0,0 +1,91 @@
+'use strict';
+
+/*
+ * Format the statistics from `Agent.prototype.getStats` in the Prometheus text
+ * exposition format.
+ *
+ * options.prefix: the prefix for the metric names (default
+ *   'better_https_proxy_agent')
+ * options.labels: labels to add to every sample, such as to distinguish agents
+ *
+ * Sockets are totalled across targets, since the pool names can be long (they
+ * include any client certificate) and unbounded. Proxies are labelled by address,
+ * and those which share one (such as a configured proxy which a PAC script also
+ * returns) are combined, as Prometheus rejects duplicate series.
+ */
+function formatPrometheus(stats, options) {
+	options = options || {};
+
+	const prefix = options.prefix || 'better_https_proxy_agent';
+	const common = options.labels || {};
+	const lines = [];
+
+	const metric = (name, type, help, samples) => {
+		lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+		lines.push('# TYPE ' + prefix + '_' + name + ' ' + type);
+
+		samples.forEach(([labels, value]) => {
+			lines.push(prefix + '_' + name + formatLabels(Object.assign({}, common, labels))
+					+ ' ' + value);
+		});
+	};
+
+	const sockets = Object.keys(stats.sockets).map((name) => stats.sockets[name]);
+
+	const proxies = new Map();
+	stats.proxies.forEach((proxy) => {
+		const address = proxy.host + ':' + proxy.port;
+		const combined = proxies.get(address) || { activeSockets: 0, healthy: true };
+
+		combined.activeSockets += proxy.activeSockets;
+		combined.healthy = combined.healthy && proxy.healthy;
+
+		proxies.set(address, combined);
+	});
+	const proxySamples = (value) => Array.from(proxies, ([address, proxy]) => {
+		return [{ proxy: address }, value(proxy)];
+	});
+	const total = (state) => sockets.reduce((sum, counts) => sum + counts[state], 0);
+
+	metric('active_sockets', 'gauge', 'Connections to proxies which are open or being opened.',
+			[[{}, stats.activeSockets]]);
+	metric('waiting_requests', 'gauge', 'Requests waiting for a connection to a proxy.',
+			[[{}, stats.waitingRequests]]);
+	metric('proxy_active_sockets', 'gauge',
+			'Connections to each proxy which are open or being opened.',
+			proxySamples((proxy) => proxy.activeSockets));
+	metric('proxy_healthy', 'gauge', 'Whether each proxy is healthy (1) or not (0).',
+			proxySamples((proxy) => proxy.healthy ? 1 : 0));
+	metric('sockets', 'gauge', 'Sockets in the pool, by state.',
+			[[{ state: 'free' }, total('free')], [{ state: 'in_use' }, total('inUse')]]);
+	metric('http2_sessions', 'gauge', 'Pooled HTTP/2 sessions.', [[{}, stats.http2Sessions]]);
+	metric('tls_session_cache_size', 'gauge', 'TLS sessions cached for reuse.',
+			[[{}, stats.sessionCache.size]]);
+	metric('tls_session_cache_hits_total', 'counter', 'Connections which found a cached TLS session.',
+			[[{}, stats.sessionCache.hits]]);
+	metric('tls_session_cache_misses_total', 'counter',
+			'Connections which found no cached TLS session.', [[{}, stats.sessionCache.misses]]);
+	metric('tunnels_opened_total', 'counter', 'Tunnels established through proxies.',
+			[[{}, stats.tunnels.opened]]);
+	metric('tunnels_failed_total', 'counter', 'Attempts to establish a tunnel which failed.',
+			[[{}, stats.tunnels.failed]]);
+	metric('tunnels_timed_out_total', 'counter',
+			'Attempts to establish a tunnel which timed out.', [[{}, stats.tunnels.timedOut]]);
+
+	return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+	const names = Object.keys(labels);
+
+	if (!names.length) return '';
+
+	return '{' + names.map((name) => name + '="' + escapeLabelValue(labels[name]) + '"')
+			.join(',') + '}';
+}
+
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+module.exports.formatPrometheus = formatPrometheus;
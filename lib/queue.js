@@ -0,0 +1,77 @@
+'use strict';
+
+/*
+ * Requests waiting for a connection, served fairly across target hosts: the hosts
+ * take turns, and each host's requests are served in the order they arrived. This
+ * stops a host with many requests from starving the others.
+ */
+function WaitingQueue() {
+	this.hosts = new Map();
+	this.length = 0;
+}
+
+WaitingQueue.prototype.push = function push(host, entry) {
+	let entries = this.hosts.get(host);
+
+	if (!entries) {
+		entries = [];
+		this.hosts.set(host, entries);
+	}
+
+	entry.host = host;
+	entries.push(entry);
+	this.length++;
+};
+
+/*
+ * Remove and return the next entry which satisfies the predicate, taking the hosts
+ * in turn. The host then goes to the back of the line.
+ */
+WaitingQueue.prototype.shift = function shift(predicate) {
+	for (const [host, entries] of this.hosts) {
+		const index = entries.findIndex(predicate);
+
+		if (index === -1) continue;
+
+		const [entry] = entries.splice(index, 1);
+		this.length--;
+
+		/*
+		 * A Map iterates in insertion order, so re-inserting the host moves it to the
+		 * back.
+		 */
+		this.hosts.delete(host);
+		if (entries.length) this.hosts.set(host, entries);
+
+		return entry;
+	}
+
+	return undefined;
+};
+
+/*
+ * Whether any entry satisfies the predicate.
+ */
+WaitingQueue.prototype.some = function some(predicate) {
+	for (const entries of this.hosts.values()) {
+		if (entries.some(predicate)) return true;
+	}
+
+	return false;
+};
+
+WaitingQueue.prototype.remove = function remove(entry) {
+	const entries = this.hosts.get(entry.host);
+	const index = entries ? entries.indexOf(entry) : -1;
+
+	if (index === -1) return false;
+
+	entries.splice(index, 1);
+	this.length--;
+
+	if (!entries.length) this.hosts.delete(entry.host);
+
+	return true;
+};
+
+module.exports.WaitingQueue = WaitingQueue;
@@ -0,0 +1,275 @@
+'use strict';
+
+const { lookup } = require('dns');
+const { ProxySocksError } = require('./errors');
+const { ipToBytes } = require('./ip');
+
+const VERSION = 0x05;
+
+const METHOD_NONE = 0x00;
+const METHOD_USERNAME_PASSWORD = 0x02;
+const METHOD_UNACCEPTABLE = 0xff;
+
+const USERNAME_PASSWORD_VERSION = 0x01;
+
+const COMMAND_CONNECT = 0x01;
+
+const ADDRESS_IPV4 = 0x01;
+const ADDRESS_DOMAIN = 0x03;
+const ADDRESS_IPV6 = 0x04;
+
+/*
+ * Messages for the reply codes from RFC 1928.
+ */
+const REPLIES = {
+	0x01: 'general SOCKS server failure',
+	0x02: 'connection not allowed by ruleset',
+	0x03: 'network unreachable',
+	0x04: 'host unreachable',
+	0x05: 'connection refused',
+	0x06: 'TTL expired',
+	0x07: 'command not supported',
+	0x08: 'address type not supported'
+};
+
+/*
+ * Ask a SOCKS5 proxy (RFC 1928) to connect to a target, over a socket connected to
+ * the proxy. If the proxy asks for it, authenticate using `credentials` (`{
+ * username, password }`, RFC 1929), or a function which is passed `{ scheme:
+ * 'SOCKS', proxy }` and returns them or a Promise for them, as for HTTP proxies.
+ *
+ * options.host, options.port: the target
+ * options.remoteDns: send the target's host name to the proxy to look up (as for
+ *   `socks5h:`), rather than looking it up ourselves
+ * options.credentials: the credentials, if any
+ * options.proxy: the proxy's address, for a credentials function
+ * options.onRequest: called when the CONNECT command is sent
+ *
+ * The callback is passed an error (a ProxySocksError if the proxy refused), or
+ * nothing once the socket is connected to the target. Any data after the proxy's
+ * reply is left to be read from the socket.
+ */
+function socksHandshake(socket, options, callback) {
+	const reader = new Reader(socket, (err) => {
+		reader.finish();
+		callback(err);
+	});
+
+	const methods = options.credentials
+			? [METHOD_NONE, METHOD_USERNAME_PASSWORD]
+			: [METHOD_NONE];
+
+	socket.write(Buffer.from([VERSION, methods.length].concat(methods)));
+
+	reader.read(2, (response) => {
+		if (response[0] !== VERSION) return reader.fail(protocolError());
+
+		const method = response[1];
+
+		if (method === METHOD_NONE) return connect();
+
+		if (method === METHOD_USERNAME_PASSWORD && options.credentials) {
+			return resolveCredentials(options.credentials, options.proxy, (err, credentials) => {
+				if (reader.finished) return;
+
+				if (err) return reader.fail(err);
+
+				if (!credentials) {
+					return reader.fail(new ProxySocksError('No credentials for the SOCKS proxy'));
+				}
+
+				authenticate(credentials, connect);
+			});
+		}
+
+		reader.fail(new ProxySocksError(method === METHOD_UNACCEPTABLE
+				? 'SOCKS proxy accepted none of our authentication methods'
+				: 'SOCKS proxy chose an unsupported authentication method'));
+	});
+
+	const authenticate = (credentials, next) => {
+		const username = Buffer.from(String(credentials.username || ''));
+		const password = Buffer.from(String(credentials.password || ''));
+
+		if (username.length > 255 || password.length > 255) {
+			return reader.fail(new ProxySocksError('SOCKS username or password is too long'));
+		}
+
+		socket.write(Buffer.concat([
+			Buffer.from([USERNAME_PASSWORD_VERSION, username.length]),
+			username,
+			Buffer.from([password.length]),
+			password
+		]));
+
+		reader.read(2, (response) => {
+			if (response[0] !== USERNAME_PASSWORD_VERSION) return reader.fail(protocolError());
+
+			if (response[1] !== 0x00) {
+				return reader.fail(new ProxySocksError('SOCKS proxy rejected the credentials'));
+			}
+
+			next();
+		});
+	};
+
+	const connect = () => {
+		targetAddress(options.host, options.remoteDns, (err, address) => {
+			if (err) return reader.fail(err);
+
+			const port = Buffer.alloc(2);
+			port.writeUInt16BE(Number(options.port));
+
+			socket.write(Buffer.concat([
+				Buffer.from([VERSION, COMMAND_CONNECT, 0x00]),
+				address,
+				port
+			]));
+
+			if (options.onRequest) options.onRequest();
+
+			reader.read(5, readReply);
+		});
+	};
+
+	/*
+	 * The reply has the address the proxy bound, which we don't need, but must read.
+	 * We read enough to know its length: the domain name length, or the first byte of
+	 * an IP address.
+	 */
+	const readReply = (response) => {
+		if (response[0] !== VERSION) return reader.fail(protocolError());
+
+		const reply = response[1];
+
+		if (reply !== 0x00) {
+			return reader.fail(new ProxySocksError('SOCKS proxy refused the connection: '
+					+ (REPLIES[reply] || 'reply ' + reply), { reply }));
+		}
+
+		const remaining = {
+			[ADDRESS_IPV4]: 4 - 1,
+			[ADDRESS_DOMAIN]: response[4],
+			[ADDRESS_IPV6]: 16 - 1
+		}[response[3]];
+
+		if (typeof remaining === 'undefined') return reader.fail(protocolError());
+
+		reader.read(remaining + 2, () => {
+			reader.finish();
+			callback(null);
+		});
+	};
+}
+
+/*
+ * The address of the target in a CONNECT command.
+ */
+function targetAddress(host, remoteDns, callback) {
+	host = host.replace(/^\[(.*)\]$/, '$1');
+
+	const bytes = ipToBytes(host);
+
+	if (bytes) {
+		return callback(null, Buffer.from([bytes.length === 4 ? ADDRESS_IPV4 : ADDRESS_IPV6]
+				.concat(bytes)));
+	}
+
+	if (remoteDns) {
+		const name = Buffer.from(host);
+
+		if (name.length > 255) return callback(new ProxySocksError('Host name is too long for SOCKS'));
+
+		return callback(null, Buffer.concat([Buffer.from([ADDRESS_DOMAIN, name.length]), name]));
+	}
+
+	lookup(host, (err, address) => {
+		if (err) return callback(err);
+
+		targetAddress(address, false, callback);
+	});
+}
+
+/*
+ * Calls back with the credentials, or those returned by a credentials function.
+ */
+function resolveCredentials(credentials, proxy, callback) {
+	if (typeof credentials !== 'function') return callback(null, credentials);
+
+	let result;
+	try {
+		result = credentials({ scheme: 'SOCKS', proxy });
+	} catch (err) {
+		return callback(err);
+	}
+
+	Promise.resolve(result).then((resolved) => callback(null, resolved), callback);
+}
+
+function protocolError() {
+	return new ProxySocksError('Invalid response from SOCKS proxy');
+}
+
+/*
+ * Reads messages of known lengths from a socket, failing if it ends or errs first.
+ */
+function Reader(socket, onError) {
+	this.socket = socket;
+	this.buffered = Buffer.alloc(0);
+	this.wanted = 0;
+	this.onMessage = null;
+	this.onError = onError;
+	this.finished = false;
+
+	this._onData = (chunk) => {
+		this.buffered = Buffer.concat([this.buffered, chunk]);
+		this._deliver();
+	};
+	this._onEnd = () => this.fail(new ProxySocksError('SOCKS proxy closed the connection'));
+	this._onError = (err) => this.fail(err);
+
+	socket.on('data', this._onData);
+	socket.on('end', this._onEnd);
+	socket.on('error', this._onError);
+}
+
+Reader.prototype.read = function read(length, onMessage) {
+	this.wanted = length;
+	this.onMessage = onMessage;
+	this._deliver();
+};
+
+Reader.prototype._deliver = function _deliver() {
+	if (!this.onMessage || this.buffered.length < this.wanted) return;
+
+	const message = this.buffered.slice(0, this.wanted);
+	const onMessage = this.onMessage;
+
+	this.buffered = this.buffered.slice(this.wanted);
+	this.onMessage = null;
+
+	onMessage(message);
+};
+
+Reader.prototype.fail = function fail(err) {
+	if (this.finished) return;
+
+	this.onError(err);
+};
+
+/*
+ * Stop reading, and leave anything left over to be read from the socket.
+ */
+Reader.prototype.finish = function finish() {
+	if (this.finished) return;
+	this.finished = true;
+
+	this.socket.removeListener('data', this._onData);
+	this.socket.removeListener('end', this._onEnd);
+	this.socket.removeListener('error', this._onError);
+	this.socket.pause();
+
+	if (this.buffered.length) this.socket.unshift(this.buffered);
+};
+
+module.exports.socksHandshake = socksHandshake;
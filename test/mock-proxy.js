@@ -1,6 +1,11 @@
 const http = require('http');
 const https = require('https');
+const http2 = require('http2');
+const net = require('net');
 const tls = require('tls');
+const { createHash, createHmac, randomBytes } = require('crypto');
+const { parseChallenges } = require('../lib/auth');
+const ntlm = require('../lib/ntlm');
 const { readFile } = require('./read-file');
 
 const proxies = new Set();
@@ -10,9 +15,22 @@ const proxies = new Set();
  * options.authenticate: require a client certificate
  * options.cn: expected client certificate CN (implies authenticate)
  * options.failConnect: respond to CONNECT with a failure
+ * options.unavailable: number of CONNECT requests to respond to with HTTP 503
+ * options.resetConnect: number of CONNECT requests to respond to by resetting the socket
  * options.hangConnect: milliseconds before responding to CONNECT; true to hang forever
+ * options.forwardConnect: make a real tunnel to the host and port requested by CONNECT
  * options.hangRequest: milliseconds before responding with HTTP 200; true to hang forever
+ * options.hangTunnel: respond to CONNECT, but never complete the TLS handshake
+ * options.plainTunnel: serve plain HTTP, rather than HTTPS, through the tunnel
+ * options.http2: serve HTTP/2 through the tunnel
  * options.keepAlive: leave the socket open after responding with HTTP 200
+ * options.proxyAuth: require proxy authentication, an object with:
+ *   scheme: 'Basic', 'Digest' or 'NTLM'
+ *   username, password: the expected credentials
+ *   domain: the expected NTLM domain (optional)
+ *   qop: the Digest qop to offer (optional)
+ *   nonceUses: number of times a Digest nonce may be used before it is stale
+ *   keepAlive: leave the socket open after a challenge, and read another CONNECT
  */
 module.exports.startMockHttpProxy = async function(options) {
 	options = Object.assign(await exampleAuthentication(), options);
@@ -27,6 +45,47 @@ module.exports.createMockHttpsProxy = async function(options) {
 	return (new MockProxy(https.createServer(await localhostAuthentication()), options)).start();
 };
 
+/*
+ * A mock target server, for connections which don't go through a proxy. It responds
+ * to HTTPS requests in the same way as the mock proxies do for tunneled connections.
+ *
+ * See createMockHttpProxy for options (other than those relating to CONNECT).
+ */
+module.exports.startMockTarget = async function(options) {
+	options = Object.assign(await exampleAuthentication(), options);
+	return (new MockProxy(net.createServer(), options)).serveDirectly().start();
+};
+
+/*
+ * A mock SOCKS5 proxy. It records the address types and addresses requested in
+ * `connections`, such as "domain www.example.com:1234".
+ *
+ * options.socksAuth: require username/password authentication, `{ username, password }`
+ * options.socksAuthVersion: reply to authentication with this version instead of 1
+ * options.socksReply: reply to CONNECT with this code instead of success
+ *
+ * See createMockHttpProxy for other options (other than those relating to CONNECT).
+ */
+module.exports.startMockSocksProxy = async function(options) {
+	options = Object.assign(await exampleAuthentication(), options);
+	return (new MockProxy(net.createServer(), options)).serveSocks().start();
+};
+
+/*
+ * A mock HTTPS proxy which accepts CONNECT as a stream on an HTTP/2 connection (RFC
+ * 7540), and serves HTTPS through the tunnel. The sessions are recorded in
+ * `http2Sessions`.
+ *
+ * options.resetStream: number of CONNECT requests to respond to by resetting the stream
+ *
+ * See createMockHttpProxy for other options, but only Basic `proxyAuth` is supported.
+ */
+module.exports.startMockHttp2Proxy = async function(options) {
+	options = Object.assign(await exampleAuthentication(), options);
+	return (new MockProxy(http2.createSecureServer(await localhostAuthentication()), options))
+			.serveHttp2Connect().start();
+};
+
 module.exports.stopMockProxies = function() {
 	return Promise.all(Array.from(proxies.values()).map((proxy) => proxy.stop()));
 }
@@ -35,11 +94,19 @@ class MockProxy {
 
 	constructor(server, options) {
 		this.connections = [];
+		this.connectHeaders = [];
+		this.challenges = 0;
 		this.requests = 0;
+		this.forwarded = [];
+		this.http2Sessions = new Set();
+		this.resets = 0;
+		this.unavailable = 0;
 		this.errors = [];
 		this._sockets = new Set();
+		this._tunnels = new Set();
 		this._server = server;
 		this._options = options;
+		this._nonces = new Map();
 
 		this._server.on('connect', (request, socket, head) => {
 			socket.on('end', () => socket.end());
@@ -48,21 +115,184 @@ class MockProxy {
 				throw new Error("unexpected head");
 			}
 
-			this.connections.push(request.url);
+			this._handleConnect(request, socket);
+		});
+
+		/*
+		 * Requests to forward to plain http: targets.
+		 */
+		this._server.on('request', (request, response) => {
+			this.forwarded.push({
+				url: request.url,
+				headers: request.headers,
+				remotePort: request.socket.remotePort
+			});
+
+			if (this._options.proxyAuth && this._checkProxyAuthorization(request, request.socket) !== 'ok') {
+				response.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="mock"' });
+				response.end();
+				return;
+			}
+
+			response.end('Forwarded ' + request.url);
+		});
+	}
+
+	serveDirectly() {
+		this._server.on('connection', (socket) => {
+			socket.on('end', () => socket.end());
+
+			this.connections.push(socket.remoteAddress);
+
+			this._serveTLS(socket);
+		});
+
+		return this;
+	}
+
+	serveHttp2Connect() {
+		this._server.removeAllListeners('connect');
+		this._server.removeAllListeners('request');
+		this._server.removeAllListeners('stream');
+
+		this._server.on('session', (session) => {
+			this.http2Sessions.add(session);
+			session.on('close', () => this.http2Sessions.delete(session));
+		});
 
-			if (!this._options.hangConnect) {
-				this._respondToConnection(socket);
+		this._server.on('stream', (stream, headers) => {
+			stream.on('error', (err) => this.errors.push(err));
+
+			this.connections.push(headers[':authority']);
+			this.connectHeaders.push(headers);
+
+			if (this._options.proxyAuth && this._checkProxyAuthorization(
+					{ url: headers[':authority'], headers }, stream) !== 'ok') {
+				this.challenges++;
+				stream.respond({ ':status': 407, 'proxy-authenticate': 'Basic realm="mock"' });
+				stream.end();
+				return;
+			}
+
+			if (this._options.resetStream > this.resets) {
+				this.resets++;
+				stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
+				return;
+			}
+
+			if (this._options.failConnect) {
+				stream.respond({ ':status': 500, 'x-mock-proxy': 'yes' });
+				stream.end('Could not connect');
 				return;
 			}
 
-			if (this._options.hangConnect !== true) {
-				setTimeout(this._respondToConnection.bind(this, socket),
-						this._options.hangConnect);
+			stream.respond({ ':status': 200 });
+
+			if (this._options.plainTunnel) {
+				this._servePlain(stream);
 				return;
 			}
 
-			this._sockets.add(socket);
+			this._serveTLS(stream);
+		});
+
+		return this;
+	}
+
+	serveSocks() {
+		this._server.on('connection', (socket) => {
+			socket.on('end', () => socket.end());
+
+			this._handleSocks(socket);
+		});
+
+		return this;
+	}
+
+	async _handleSocks(socket) {
+		let buffered = Buffer.alloc(0);
+		let waiting = null;
+
+		const read = (length) => new Promise((resolve) => {
+			waiting = () => {
+				if (buffered.length < length) return;
+
+				const message = buffered.slice(0, length);
+				buffered = buffered.slice(length);
+				waiting = null;
+				resolve(message);
+			};
+			waiting();
 		});
+
+		const onData = (chunk) => {
+			buffered = Buffer.concat([buffered, chunk]);
+			if (waiting) waiting();
+		};
+		socket.on('data', onData);
+
+		const auth = this._options.socksAuth;
+
+		const [, methodCount] = await read(2);
+		const methods = Array.from(await read(methodCount));
+		const method = auth ? 0x02 : 0x00;
+
+		if (!methods.includes(method)) {
+			socket.end(Buffer.from([0x05, 0xff]));
+			return;
+		}
+
+		socket.write(Buffer.from([0x05, method]));
+
+		if (auth) {
+			const [, usernameLength] = await read(2);
+			const username = (await read(usernameLength)).toString();
+			const [passwordLength] = await read(1);
+			const password = (await read(passwordLength)).toString();
+			const ok = username === auth.username && password === auth.password;
+
+			socket.write(Buffer.from([this._options.socksAuthVersion || 0x01, ok ? 0x00 : 0x01]));
+
+			if (!ok) {
+				socket.end();
+				return;
+			}
+		}
+
+		const [, , , type] = await read(4);
+		let address;
+		if (type === 0x01) {
+			address = 'ipv4 ' + Array.from(await read(4)).join('.');
+		} else if (type === 0x04) {
+			const bytes = await read(16);
+			const groups = [];
+			for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+			address = 'ipv6 [' + groups.join(':') + ']';
+		} else {
+			const [length] = await read(1);
+			address = 'domain ' + (await read(length)).toString();
+		}
+		const targetPort = (await read(2)).readUInt16BE(0);
+
+		this.connections.push(address + ':' + targetPort);
+
+		const reply = this._options.socksReply || 0x00;
+
+		socket.write(Buffer.from([0x05, reply, 0x00, 0x01, 127, 0, 0, 1, 0x04, 0x38]));
+
+		if (reply) {
+			socket.end();
+			return;
+		}
+
+		socket.removeListener('data', onData);
+
+		if (this._options.plainTunnel) {
+			this._servePlain(socket);
+			return;
+		}
+
+		this._serveTLS(socket);
 	}
 
 	start() {
@@ -77,6 +307,8 @@ class MockProxy {
 
 	stop() {
 		this._sockets.forEach((socket) => socket.end());
+		this._tunnels.forEach((upstream) => upstream.destroy());
+		this.http2Sessions.forEach((session) => session.destroy());
 		return new Promise((resolve, reject) => {
 			this._server.close((err) => {
 				if (err) reject(err);
@@ -88,13 +320,217 @@ class MockProxy {
 		});
 	}
 
+	_handleConnect(request, socket) {
+		this.connections.push(request.url);
+		this.connectHeaders.push(request.headers);
+
+		if (this._options.proxyAuth) {
+			const result = this._checkProxyAuthorization(request, socket);
+
+			if (result !== 'ok') {
+				this._challenge(socket, result);
+				return;
+			}
+		}
+
+		if (this._options.forwardConnect) {
+			this._forwardConnection(request.url, socket);
+			return;
+		}
+
+		if (!this._options.hangConnect) {
+			this._respondToConnection(socket);
+			return;
+		}
+
+		if (this._options.hangConnect !== true) {
+			setTimeout(this._respondToConnection.bind(this, socket),
+					this._options.hangConnect);
+			return;
+		}
+
+		this._sockets.add(socket);
+	}
+
+	/*
+	 * Read a further CONNECT request from a socket which was kept alive. The http
+	 * module no longer parses requests on it once it has emitted 'connect'.
+	 */
+	_readConnectRequest(socket) {
+		let buffered = Buffer.alloc(0);
+
+		const onData = (chunk) => {
+			buffered = Buffer.concat([buffered, chunk]);
+
+			const end = buffered.indexOf('\r\n\r\n');
+			if (end === -1) return;
+
+			socket.removeListener('data', onData);
+
+			const [requestLine, ...headerLines] = buffered.slice(0, end).toString('latin1')
+					.split('\r\n');
+			const headers = {};
+			headerLines.forEach((line) => {
+				const colon = line.indexOf(':');
+				headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+			});
+
+			this._handleConnect({ url: requestLine.split(' ')[1], headers }, socket);
+		};
+
+		socket.on('data', onData);
+	}
+
+	_checkProxyAuthorization(request, socket) {
+		const auth = this._options.proxyAuth;
+		const header = request.headers['proxy-authorization'];
+
+		if (!header) return 'missing';
+
+		if (auth.scheme === 'NTLM') return this._checkNtlmAuthorization(header, socket);
+
+		if (auth.scheme === 'Basic') {
+			const expected = Buffer.from(auth.username + ':' + auth.password).toString('base64');
+			return header === 'Basic ' + expected ? 'ok' : 'invalid';
+		}
+
+		const [credentials] = parseChallenges([header]);
+		if (!credentials || credentials.scheme !== 'digest') return 'invalid';
+
+		const params = credentials.params;
+		if (!this._nonces.has(params.nonce) || params.username !== auth.username) return 'invalid';
+
+		const md5 = (value) => createHash('md5').update(value).digest('hex');
+		const ha1 = md5([auth.username, 'mock', auth.password].join(':'));
+		const ha2 = md5(['CONNECT', params.uri].join(':'));
+		const expected = auth.qop
+				? md5([ha1, params.nonce, params.nc, params.cnonce, params.qop, ha2].join(':'))
+				: md5([ha1, params.nonce, ha2].join(':'));
+
+		if (params.uri !== request.url || params.response !== expected) return 'invalid';
+
+		const nonceCount = auth.qop ? parseInt(params.nc, 16) : this._nonces.get(params.nonce) + 1;
+
+		if (auth.qop && nonceCount <= this._nonces.get(params.nonce)) return 'invalid';
+
+		this._nonces.set(params.nonce, nonceCount);
+
+		if (auth.nonceUses && nonceCount > auth.nonceUses) return 'stale';
+
+		return 'ok';
+	}
+
+	_checkNtlmAuthorization(header, socket) {
+		const auth = this._options.proxyAuth;
+		const message = Buffer.from(header.replace(/^NTLM /, ''), 'base64');
+		const type = message.length >= 12 && message.readUInt32LE(8);
+
+		if (type === 1) {
+			socket.ntlmServerChallenge = randomBytes(8);
+			return 'ntlm';
+		}
+
+		if (type !== 3 || !socket.ntlmServerChallenge) return 'invalid';
+
+		const field = (position) => {
+			const length = message.readUInt16LE(position);
+			const offset = message.readUInt32LE(position + 4);
+			return message.slice(offset, offset + length);
+		};
+
+		const ntResponse = field(20);
+		const domain = field(28).toString('utf16le');
+		const username = field(36).toString('utf16le');
+
+		if (username !== auth.username || domain !== (auth.domain || '')) return 'invalid';
+
+		const key = ntlm.ntowfv2(auth.password, username, domain);
+		const proof = createHmac('md5', key)
+				.update(Buffer.concat([socket.ntlmServerChallenge, ntResponse.slice(16)]))
+				.digest();
+
+		return proof.equals(ntResponse.slice(0, 16)) ? 'ok' : 'invalid';
+	}
+
+	_ntlmChallengeMessage(socket) {
+		const targetInfo = Buffer.concat([
+			Buffer.from([2, 0, 8, 0]), Buffer.from('MOCK', 'utf16le'),
+			Buffer.from([7, 0, 8, 0]), Buffer.alloc(8, 1),
+			Buffer.from([0, 0, 0, 0])
+		]);
+
+		const header = Buffer.alloc(48);
+		header.write('NTLMSSP\0', 0, 'latin1');
+		header.writeUInt32LE(2, 8);
+		header.writeUInt32LE(48, 16);
+		header.writeUInt32LE(0x00880201, 20);
+		socket.ntlmServerChallenge.copy(header, 24);
+		header.writeUInt16LE(targetInfo.length, 40);
+		header.writeUInt16LE(targetInfo.length, 42);
+		header.writeUInt32LE(48, 44);
+
+		return Buffer.concat([header, targetInfo]).toString('base64');
+	}
+
+	_challenge(socket, result) {
+		const auth = this._options.proxyAuth;
+
+		this.challenges++;
+
+		let challenge = auth.scheme + ' realm="mock"';
+
+		if (auth.scheme === 'Digest') {
+			const nonce = randomBytes(8).toString('hex');
+			this._nonces.set(nonce, 0);
+
+			challenge += ', nonce="' + nonce + '"';
+			if (auth.qop) challenge += ', qop="' + auth.qop + '"';
+			if (result === 'stale') challenge += ', stale=true';
+		}
+
+		if (auth.scheme === 'NTLM') {
+			challenge = result === 'ntlm' ? 'NTLM ' + this._ntlmChallengeMessage(socket) : 'NTLM';
+		}
+
+		const body = 'Authenticate';
+		const response = ['HTTP/1.1 407 Proxy Authentication Required',
+				'Proxy-Authenticate: ' + challenge, 'Content-Length: ' + body.length];
+
+		if (auth.keepAlive) {
+			socket.write(response.concat(['', body]).join('\r\n'));
+
+			this._readConnectRequest(socket);
+		} else {
+			socket.end(response.concat(['Connection: close', '', body]).join('\r\n'));
+		}
+	}
+
 	_respondToConnection(socket) {
 		if (!socket.writable) {
 			return;
 		}
 
+		if (this._options.resetConnect > this.resets) {
+			this.resets++;
+			/* Sockets can only be reset from Node.js 16.17, so close them elsewhere */
+			if (typeof socket.resetAndDestroy === 'function') {
+				socket.resetAndDestroy();
+			} else {
+				socket.destroy();
+			}
+			return;
+		}
+
+		if (this._options.unavailable > this.unavailable) {
+			this.unavailable++;
+			socket.end(['HTTP/1.1 503 Service Unavailable', 'Content-Length: 0', '', ''].join('\r\n'));
+			return;
+		}
+
 		if (this._options.failConnect) {
-			socket.write(['HTTP/1.1 500 Connection Error', '', ''].join('\r\n'));
+			const body = 'Could not connect';
+			socket.write(['HTTP/1.1 500 Connection Error', 'X-Mock-Proxy: yes',
+					'Content-Length: ' + body.length, '', body].join('\r\n'));
 
 			if (!this._options.keepAlive) {
 				socket.end();
@@ -107,6 +543,77 @@ class MockProxy {
 
 		socket.write(['HTTP/1.1 200 Connection Established', '', ''].join('\r\n'));
 
+		if (this._options.http2) {
+			this._serveHttp2(socket);
+			return;
+		}
+
+		if (this._options.plainTunnel) {
+			this._servePlain(socket);
+			return;
+		}
+
+		if (this._options.hangTunnel) {
+			/* Discard the client's handshake, but notice if it closes the connection. */
+			socket.resume();
+			return;
+		}
+
+		this._serveTLS(socket);
+	}
+
+	_serveHttp2(socket) {
+		if (!this._http2Server) {
+			this._http2Server = http2.createSecureServer({
+				cert: this._options.cert,
+				key: this._options.key
+			});
+
+			this._http2Server.on('stream', (stream, headers) => {
+				this.requests++;
+				stream.respond({ ':status': 200 });
+				stream.end('Success over HTTP/2');
+			});
+
+			this._http2Server.on('session', (session) => {
+				this.http2Sessions.add(session);
+				session.on('close', () => this.http2Sessions.delete(session));
+			});
+		}
+
+		this._http2Server.emit('connection', socket);
+	}
+
+	_forwardConnection(url, socket) {
+		const separator = url.lastIndexOf(':');
+		const upstream = net.connect(Number(url.slice(separator + 1)),
+				url.slice(0, separator).replace(/^\[(.*)\]$/, '$1'));
+
+		this._tunnels.add(upstream);
+
+		upstream.once('connect', () => {
+			socket.write(['HTTP/1.1 200 Connection Established', '', ''].join('\r\n'));
+			socket.pipe(upstream);
+			upstream.pipe(socket);
+		});
+		upstream.on('error', () => {
+			socket.end(['HTTP/1.1 502 Bad Gateway', 'Content-Length: 0', '', ''].join('\r\n'));
+		});
+		socket.on('error', () => upstream.destroy());
+		upstream.once('close', () => {
+			this._tunnels.delete(upstream);
+			socket.destroy();
+		});
+	}
+
+	_servePlain(socket) {
+		this._sockets.add(socket);
+		socket.endHeadersBytesSeen = 0;
+		socket.on('data', (chunk) => this._handleData(socket,
+				['HTTP/1.1 200 OK', 'Content-length: 5', '', ''].join('\r\n') + 'Plain', chunk));
+	}
+
+	_serveTLS(socket) {
 		const tlsSocket = new tls.TLSSocket(socket, {
 			isServer: true,
 			requestCert: this._requestCert(),
@@ -132,6 +639,11 @@ class MockProxy {
 		tlsSocket.on('data', (chunk) => this._handleData(tlsSocket, response, chunk));
 
 		tlsSocket.on('error', (err) => this.errors.push(err));
+
+		/*
+		 * Close the connection if the client does, even before the TLS handshake.
+		 */
+		tlsSocket.on('end', () => tlsSocket.end());
 	}
 
 	_requestCert() {